@@ -0,0 +1,154 @@
+// Turns a tool's command template and its parameters into something safe to spawn.
+//
+// Templates are either argument arrays (["git", "log", "-n", "{{count}}"]) or strings. Every
+// argument is passed to the program as-is, so parameter values are never parsed by a shell.
+// A string template is split into arguments the way a POSIX shell would split it, and is
+// rejected if it relies on shell features (pipes, redirects, $vars...) unless the tool opts
+// in with "shell": true. Shell commands get every parameter value quoted for the platform shell.
+//
+// Placeholders are {{name}}, or {{name|url}} to URL-encode the value first.
+
+const PLACEHOLDER = /\{\{\s*([^}|\s]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+const SHELL_SYNTAX = /[|&;<>`$*]/;
+const FILTERS = {
+    url: value => encodeURIComponent(value)
+};
+
+class CommandTemplate {
+    constructor(template, { shell = false, platform = process.platform } = {}) {
+        this.template = template;
+        this.shell = shell && !Array.isArray(template);
+        this.platform = platform;
+    }
+
+    // Returns { file, args } for spawning without a shell, or { command } with shell set
+    render(parameters = {}) {
+        if (this.shell) {
+            // Values are quoted here, so quotes around a lone placeholder in the template are redundant
+            const command = this.template
+                .replace(/(['"])(\{\{[^}]+\}\})\1/g, '$2')
+                .replace(PLACEHOLDER, (match, name, filter) => {
+                    const value = parameters[name];
+                    if (value === undefined || value === null || value === '') return '';
+                    const values = Array.isArray(value) ? value : [value];
+                    return values.map(item => CommandTemplate.quote(applyFilter(item, filter), this.platform)).join(' ');
+                });
+            return { command, shell: true };
+        }
+
+        const argv = [];
+        for (const part of Array.isArray(this.template) ? this.template : CommandTemplate.split(this.template)) {
+            const whole = part.match(new RegExp(`^${PLACEHOLDER.source}$`));
+            if (whole) {
+                // A lone placeholder is one argument, or none for an omitted optional parameter
+                const value = parameters[whole[1]];
+                if (value === undefined || value === null || value === '') continue;
+                for (const item of Array.isArray(value) ? value : [value]) {
+                    argv.push(applyFilter(item, whole[2]));
+                }
+                continue;
+            }
+            argv.push(part.replace(PLACEHOLDER, (match, name, filter) => {
+                const value = parameters[name];
+                return value === undefined || value === null ? '' : applyFilter(value, filter);
+            }));
+        }
+
+        if (argv.length === 0) {
+            throw new Error('Command is empty');
+        }
+        return { file: argv[0], args: argv.slice(1), shell: false };
+    }
+
+    // Names of the parameters a template refers to, with any unknown filters
+    static placeholders(template) {
+        const parts = Array.isArray(template) ? template : [template];
+        const found = [];
+        for (const part of parts) {
+            for (const match of String(part).matchAll(PLACEHOLDER)) {
+                found.push({ name: match[1], filter: match[2] || null, unknownFilter: !!match[2] && !FILTERS[match[2]] });
+            }
+        }
+        return found;
+    }
+
+    // The first shell-only character outside quotes, or null when the string splits into plain arguments
+    static findShellSyntax(command) {
+        let quote = null;
+        for (let index = 0; index < command.length; index++) {
+            const char = command[index];
+            if (quote) {
+                if (char === quote) quote = null;
+                else if (char === '\\' && quote === '"') index++;
+            } else if (char === '\'' || char === '"') {
+                quote = char;
+            } else if (char === '\\') {
+                index++;
+            } else if (SHELL_SYNTAX.test(char)) {
+                return char;
+            }
+        }
+        return null;
+    }
+
+    // POSIX-style word splitting: whitespace separates, quotes group, backslash escapes
+    static split(command) {
+        const args = [];
+        let current = '';
+        let inArgument = false;
+        let quote = null;
+
+        for (let index = 0; index < command.length; index++) {
+            const char = command[index];
+            if (quote === '\'') {
+                if (char === '\'') quote = null;
+                else current += char;
+            } else if (quote === '"') {
+                if (char === '"') quote = null;
+                else if (char === '\\' && (command[index + 1] === '"' || command[index + 1] === '\\')) current += command[++index];
+                else current += char;
+            } else if (char === '\'' || char === '"') {
+                quote = char;
+                inArgument = true;
+            } else if (char === '\\' && index + 1 < command.length) {
+                current += command[++index];
+                inArgument = true;
+            } else if (/\s/.test(char)) {
+                if (inArgument) args.push(current);
+                current = '';
+                inArgument = false;
+            } else {
+                current += char;
+                inArgument = true;
+            }
+        }
+
+        if (quote) {
+            throw new Error(`Unterminated ${quote} quote in command: ${command}`);
+        }
+        if (inArgument) args.push(current);
+        return args;
+    }
+
+    // Quotes one value so the platform shell passes it through as a single literal argument
+    static quote(value, platform = process.platform) {
+        const text = String(value);
+        if (platform === 'win32') {
+            // cmd.exe expands %VAR% and !VAR! even inside quotes and has no escape for a quote
+            // inside a quoted argument, so values that need either are refused
+            if (/["%!\r\n]/.test(text)) {
+                throw new Error(`Cannot safely pass ${JSON.stringify(text)} to cmd.exe`);
+            }
+            return `"${text}"`;
+        }
+        return `'${text.replace(/'/g, '\'\\\'\'')}'`;
+    }
+}
+
+function applyFilter(value, filter) {
+    return filter && FILTERS[filter] ? FILTERS[filter](String(value)) : String(value);
+}
+
+CommandTemplate.FILTERS = Object.keys(FILTERS);
+
+module.exports = CommandTemplate;
@@ -0,0 +1,188 @@
+const fs = require('fs-extra');
+
+// Reads the metadata header of a GGUF model file without loading its weights.
+// Format: https://github.com/ggerganov/ggml/blob/master/docs/gguf.md
+
+const GGUF_MAGIC = 'GGUF';
+const CHUNK_SIZE = 1024 * 1024;
+const MAX_STRING_LENGTH = 64 * 1024 * 1024; // Anything larger means a corrupt header
+
+const VALUE_TYPES = {
+    UINT8: 0, INT8: 1, UINT16: 2, INT16: 3, UINT32: 4, INT32: 5, FLOAT32: 6,
+    BOOL: 7, STRING: 8, ARRAY: 9, UINT64: 10, INT64: 11, FLOAT64: 12
+};
+
+// general.file_type values (llama_ftype in llama.cpp)
+const FILE_TYPES = {
+    0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 7: 'Q8_0', 8: 'Q5_0', 9: 'Q5_1',
+    10: 'Q2_K', 11: 'Q3_K_S', 12: 'Q3_K_M', 13: 'Q3_K_L', 14: 'Q4_K_S', 15: 'Q4_K_M',
+    16: 'Q5_K_S', 17: 'Q5_K_M', 18: 'Q6_K', 19: 'IQ2_XXS', 20: 'IQ2_XS', 21: 'Q2_K_S',
+    22: 'IQ3_XS', 23: 'IQ3_XXS', 24: 'IQ1_S', 25: 'IQ4_NL', 26: 'IQ3_S', 27: 'IQ3_M',
+    28: 'IQ2_S', 29: 'IQ2_M', 30: 'IQ4_XS', 31: 'IQ1_M', 32: 'BF16', 36: 'TQ1_0', 37: 'TQ2_0'
+};
+
+// Arrays such as the tokenizer vocabulary are skipped, only their length is kept
+const MAX_STORED_ARRAY_LENGTH = 64;
+
+class GgufReader {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fd = null;
+        this.buffer = Buffer.alloc(0);
+        this.bufferStart = 0; // File offset of buffer[0]
+        this.position = 0;    // Current file offset
+        this.fileSize = 0;
+    }
+
+    async read() {
+        this.fd = await fs.open(this.filePath, 'r');
+        try {
+            this.fileSize = (await fs.fstat(this.fd)).size;
+
+            const magic = (await this.readBytes(4)).toString('latin1');
+            if (magic !== GGUF_MAGIC) {
+                throw new Error('Not a GGUF file');
+            }
+
+            const version = await this.readUint32();
+            if (version < 1 || version > 3) {
+                throw new Error(`Unsupported GGUF version ${version}`);
+            }
+
+            // Version 1 used 32-bit counts and lengths
+            const readCount = version === 1 ? () => this.readUint32() : () => this.readUint64();
+            const tensorCount = await readCount();
+            const metadataCount = await readCount();
+
+            const metadata = {};
+            for (let i = 0; i < metadataCount; i++) {
+                const key = await this.readString(readCount);
+                const type = await this.readUint32();
+                metadata[key] = await this.readValue(type, readCount);
+            }
+
+            let parameterCount = 0;
+            for (let i = 0; i < tensorCount; i++) {
+                await this.readString(readCount);
+                const dimensions = await this.readUint32();
+                let elements = 1;
+                for (let d = 0; d < dimensions; d++) {
+                    elements *= await readCount();
+                }
+                await this.readUint32(); // Tensor type
+                await this.readUint64(); // Data offset
+                parameterCount += elements;
+            }
+
+            return this.summarize(version, tensorCount, metadata, parameterCount);
+        } finally {
+            await fs.close(this.fd);
+            this.fd = null;
+        }
+    }
+
+    summarize(version, tensorCount, metadata, parameterCount) {
+        const architecture = metadata['general.architecture'] || null;
+        const archKey = key => (architecture ? metadata[`${architecture}.${key}`] : undefined);
+        const fileType = metadata['general.file_type'];
+
+        return {
+            version,
+            tensorCount,
+            name: metadata['general.name'] || null,
+            architecture,
+            sizeLabel: metadata['general.size_label'] || null,
+            parameterCount: parameterCount || null,
+            fileType: fileType !== undefined ? fileType : null,
+            quantization: fileType !== undefined ? (FILE_TYPES[fileType] || `type ${fileType}`) : null,
+            contextLength: archKey('context_length') || null,
+            embeddingLength: archKey('embedding_length') || null,
+            blockCount: archKey('block_count') || null,
+            headCount: archKey('attention.head_count') || null,
+            tokenizer: metadata['tokenizer.ggml.model'] || null,
+            vocabularySize: (metadata['tokenizer.ggml.tokens'] || {}).length || null,
+            chatTemplate: metadata['tokenizer.chat_template'] || null,
+            metadata
+        };
+    }
+
+    async readValue(type, readCount) {
+        switch (type) {
+            case VALUE_TYPES.UINT8: return (await this.readBytes(1)).readUInt8(0);
+            case VALUE_TYPES.INT8: return (await this.readBytes(1)).readInt8(0);
+            case VALUE_TYPES.UINT16: return (await this.readBytes(2)).readUInt16LE(0);
+            case VALUE_TYPES.INT16: return (await this.readBytes(2)).readInt16LE(0);
+            case VALUE_TYPES.UINT32: return this.readUint32();
+            case VALUE_TYPES.INT32: return (await this.readBytes(4)).readInt32LE(0);
+            case VALUE_TYPES.FLOAT32: return (await this.readBytes(4)).readFloatLE(0);
+            case VALUE_TYPES.BOOL: return (await this.readBytes(1)).readUInt8(0) !== 0;
+            case VALUE_TYPES.STRING: return this.readString(readCount);
+            case VALUE_TYPES.UINT64: return this.readUint64();
+            case VALUE_TYPES.INT64: return Number((await this.readBytes(8)).readBigInt64LE(0));
+            case VALUE_TYPES.FLOAT64: return (await this.readBytes(8)).readDoubleLE(0);
+            case VALUE_TYPES.ARRAY: {
+                const itemType = await this.readUint32();
+                const length = await readCount();
+                const items = [];
+                for (let i = 0; i < length; i++) {
+                    const item = await this.readValue(itemType, readCount);
+                    if (length <= MAX_STORED_ARRAY_LENGTH) {
+                        items.push(item);
+                    }
+                }
+                return length <= MAX_STORED_ARRAY_LENGTH ? items : { type: itemType, length };
+            }
+            default:
+                throw new Error(`Unknown GGUF value type ${type} at offset ${this.position}`);
+        }
+    }
+
+    async readUint32() {
+        return (await this.readBytes(4)).readUInt32LE(0);
+    }
+
+    async readUint64() {
+        return Number((await this.readBytes(8)).readBigUInt64LE(0));
+    }
+
+    async readString(readCount) {
+        const length = await readCount();
+        if (length > MAX_STRING_LENGTH) {
+            throw new Error(`Invalid string length ${length} at offset ${this.position}`);
+        }
+        return (await this.readBytes(length)).toString('utf8');
+    }
+
+    async readBytes(length) {
+        const offset = this.position - this.bufferStart;
+        if (offset + length > this.buffer.length) {
+            await this.fill(length);
+            return this.readBytes(length);
+        }
+        this.position += length;
+        return this.buffer.subarray(offset, offset + length);
+    }
+
+    async fill(minLength) {
+        if (this.position + minLength > this.fileSize) {
+            throw new Error('Unexpected end of file while reading GGUF header');
+        }
+        const size = Math.min(Math.max(CHUNK_SIZE, minLength), this.fileSize - this.position);
+        const buffer = Buffer.alloc(size);
+        const { bytesRead } = await fs.read(this.fd, buffer, 0, size, this.position);
+        this.buffer = buffer.subarray(0, bytesRead);
+        this.bufferStart = this.position;
+    }
+
+    static formatParameterCount(count) {
+        if (!count) {
+            return null;
+        }
+        if (count >= 1e9) {
+            return `${(count / 1e9).toFixed(count >= 1e10 ? 0 : 1)}B`;
+        }
+        return `${Math.round(count / 1e6)}M`;
+    }
+}
+
+module.exports = GgufReader;
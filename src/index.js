@@ -24,6 +24,10 @@ const c9ai = new C9AI();
 
 // Signal handlers for graceful exit
 process.on('SIGINT', () => {
+    // Ctrl+C during local generation or a running command only stops that, not the REPL
+    if (c9ai.cancelActiveGeneration() || c9ai.cancelActiveCommands()) {
+        return;
+    }
     console.log(chalk.yellow('\n🛑 Received Ctrl+C. Type "exit" to quit gracefully or "emergency exit" to force quit.'));
 });
 
@@ -34,8 +38,12 @@ process.on('SIGTERM', () => {
 
 // Interactive mode
 async function interactiveMode() {
+    await c9ai.ready;
     console.log(banner);
     console.log(chalk.cyan('\nNew in this version: Type @claude or @gemini to start an interactive session!'));
+    if (c9ai.dryRun) {
+        console.log(chalk.magenta('🧪 Dry run: tools, intents and actions are printed, not executed'));
+    }
 
     console.log(chalk.green('\nQuick Actions:'));
     console.log(chalk.white('  claude <prompt>   - Quick prompt to Claude'));
@@ -85,12 +93,17 @@ async function interactiveMode() {
 program
     .name('c9ai')
     .description('C9 AI - Autonomous AI-Powered Productivity System')
-    .version('2.1.0');
+    .version('2.1.0')
+    .option('--dry-run', 'Print the command every tool, intent or action would run instead of running it')
+    .hook('preAction', () => {
+        c9ai.dryRun = !!program.opts().dryRun;
+    });
 
 program
     .command('switch <model>')
-    .description('Switch default AI model (claude|gemini)')
+    .description('Switch default AI model (claude|gemini|local|openai)')
     .action(async (model) => {
+        await c9ai.ready;
         await c9ai.switchModel(model);
     });
 
@@ -98,6 +111,7 @@ program
     .command('todos [action] [task...]')
     .description('Manage todos (list|add|execute|sync)')
     .action(async (action, task) => {
+        await c9ai.ready;
         await c9ai.handleTodos(action, task);
     });
 
@@ -105,23 +119,50 @@ program
     .command('analytics')
     .description('Show productivity analytics')
     .action(async () => {
+        await c9ai.ready;
         await c9ai.showAnalytics();
     });
 
 program
-    .command('tools')
-    .description('List available tools')
-    .action(async () => {
-        await c9ai.listTools();
+    .command('tools [action] [args...]')
+    .description('Manage agentic tools (list|add|edit|remove|scripts|reload|validate|run|trust|untrust)')
+    .action(async (action, args) => {
+        await c9ai.ready;
+        await c9ai.handleTools(action, args);
     });
 
 program
     .command('models [action] [model]')
-    .description('Manage local AI models (list|install|remove|status)')
+    .description('Manage local AI models (list|install|remove|status|use|verify|info|bench|load|unload)')
     .action(async (action, model) => {
+        await c9ai.ready;
         await c9ai.handleModels(action, model);
     });
 
+program
+    .command('sessions [action] [id]')
+    .description('Manage saved conversations (list|delete)')
+    .action(async (action, id) => {
+        await c9ai.ready;
+        await c9ai.handleSessions(action, id ? [id] : []);
+    });
+
+program
+    .command('providers [action]')
+    .description('Show model providers (list|status)')
+    .action(async (action) => {
+        await c9ai.ready;
+        await c9ai.handleProviders(action);
+    });
+
+program
+    .command('routing [action]')
+    .description('Show which provider and model handles each task (show)')
+    .action(async (action) => {
+        await c9ai.ready;
+        await c9ai.handleRouting(action);
+    });
+
 program
     .command('logo')
     .alias('banner')
@@ -136,8 +177,9 @@ program
     .description('Start interactive mode')
     .action(interactiveMode);
 
-// Default action - start interactive mode
-if (process.argv.length === 2) {
+// Default action - start interactive mode (global options alone still start it)
+if (process.argv.slice(2).every(arg => arg === '--dry-run')) {
+    c9ai.dryRun = process.argv.includes('--dry-run');
     interactiveMode();
 } else {
     program.parse();
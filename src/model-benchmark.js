@@ -0,0 +1,138 @@
+// Measures how practical a local model is on this machine: load time, time to first token,
+// decode speed and peak memory over a fixed prompt suite.
+
+const BENCHMARK_SUITE = [
+    {
+        name: 'tool_selection',
+        label: 'Tool selection',
+        json: true,
+        maxTokens: 100,
+        prompt: 'Select the best tool for this request: "show me how much disk space is left".\n\nAvailable tools:\n' +
+            'list_files: List files and directories\ncheck_disk_usage: Check disk space usage on all drives\n' +
+            'git_status: Show git repository status',
+        schema: {
+            type: 'object',
+            properties: {
+                tool: { enum: ['list_files', 'check_disk_usage', 'git_status'] },
+                reasoning: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'short_chat',
+        label: 'Short chat',
+        maxTokens: 64,
+        systemPrompt: 'You are a helpful assistant. Answer briefly.',
+        prompt: 'Hi! In one or two sentences, what can you help me with?'
+    },
+    {
+        name: 'generation',
+        label: '300-token generation',
+        maxTokens: 300,
+        systemPrompt: 'You are a skilled technical writer.',
+        prompt: 'Write a detailed explanation of how a CPU cache works, covering cache lines, associativity and eviction.'
+    }
+];
+
+const RSS_SAMPLE_INTERVAL = 100; // ms
+
+class ModelBenchmark {
+    constructor(c9ai) {
+        this.c9ai = c9ai;
+        this.peakRss = 0;
+        this.sampler = null;
+    }
+
+    startMemorySampling() {
+        this.peakRss = process.memoryUsage().rss;
+        this.sampler = setInterval(() => {
+            this.peakRss = Math.max(this.peakRss, process.memoryUsage().rss);
+        }, RSS_SAMPLE_INTERVAL);
+    }
+
+    stopMemorySampling() {
+        clearInterval(this.sampler);
+        this.sampler = null;
+        this.peakRss = Math.max(this.peakRss, process.memoryUsage().rss);
+    }
+
+    async run(modelFile, onProgress = () => {}) {
+        const result = {
+            model: modelFile,
+            date: new Date().toISOString(),
+            baselineRssMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+            tests: {}
+        };
+
+        await this.c9ai.unloadLocalModel();
+        this.startMemorySampling();
+
+        try {
+            const loadStart = Date.now();
+            await this.c9ai.initLocalModel(modelFile);
+            result.loadTimeMs = Date.now() - loadStart;
+
+            if (!this.c9ai.isLocalModelLoaded()) {
+                throw new Error('llama.cpp could not load the model (fallback mode)');
+            }
+            result.contextSize = this.c9ai.localModel.context.contextSize;
+
+            for (const test of BENCHMARK_SUITE) {
+                onProgress(test);
+                result.tests[test.name] = await this.runTest(test, modelFile);
+            }
+        } finally {
+            this.stopMemorySampling();
+            result.peakRssMb = Math.round(this.peakRss / 1024 / 1024);
+            await this.c9ai.unloadLocalModel();
+        }
+
+        const tests = Object.values(result.tests);
+        result.ttftMs = Math.round(tests.reduce((total, test) => total + test.ttftMs, 0) / tests.length);
+        // Decode speed of the long generation is the most representative number
+        result.tokensPerSecond = result.tests.generation.tokensPerSecond;
+        return result;
+    }
+
+    async runTest(test, modelFile) {
+        const start = Date.now();
+        let firstTokenAt = null;
+        const chunks = [];
+        const onTextChunk = (chunk) => {
+            if (firstTokenAt === null) firstTokenAt = Date.now();
+            chunks.push(chunk);
+        };
+
+        const options = {
+            model: modelFile,
+            systemPrompt: test.systemPrompt,
+            maxTokens: test.maxTokens,
+            temperature: 0.7,
+            timeout: null,
+            onTextChunk
+        };
+        if (test.json) {
+            await this.c9ai.providers.request('local', 'completeJson', [test.prompt, test.schema], options);
+        } else {
+            await this.c9ai.providers.request('local', 'complete', [test.prompt], options);
+        }
+
+        const end = Date.now();
+        // Count what the model generated, not a re-serialization of the parsed JSON
+        const tokens = this.c9ai.countTokens(chunks.join(''));
+        const ttftMs = (firstTokenAt || end) - start;
+        const decodeSeconds = (end - (firstTokenAt || start)) / 1000;
+
+        return {
+            ttftMs,
+            totalMs: end - start,
+            tokens,
+            // The first token is part of TTFT, the rest is pure decoding
+            tokensPerSecond: decodeSeconds > 0 && tokens > 1 ? Math.round(((tokens - 1) / decodeSeconds) * 10) / 10 : null
+        };
+    }
+}
+
+ModelBenchmark.SUITE = BENCHMARK_SUITE;
+
+module.exports = ModelBenchmark;
@@ -0,0 +1,50 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+
+// Downloadable models and their chat templates. The bundled model-catalog.json can be
+// extended or overridden per user with ~/.c9ai/models.json (same shape).
+class ModelCatalog {
+    constructor(userCatalogPath) {
+        this.bundledCatalogPath = path.join(__dirname, 'model-catalog.json');
+        this.userCatalogPath = userCatalogPath;
+        this.models = {};
+        this.templates = {};
+    }
+
+    async load() {
+        const bundled = await fs.readJson(this.bundledCatalogPath);
+        let user = {};
+
+        try {
+            if (await fs.exists(this.userCatalogPath)) {
+                user = await fs.readJson(this.userCatalogPath);
+            }
+        } catch (error) {
+            console.log(chalk.yellow(`⚠️ Could not read ${this.userCatalogPath}: ${error.message}`));
+        }
+
+        this.models = { ...bundled.models, ...(user.models || {}) };
+        this.templates = { ...bundled.templates, ...(user.templates || {}) };
+    }
+
+    keys() {
+        return Object.keys(this.models);
+    }
+
+    get(key) {
+        return this.models[key] || null;
+    }
+
+    findByFile(filename) {
+        const fileLower = filename.toLowerCase();
+        const key = this.keys().find(k => (this.models[k].filename || '').toLowerCase() === fileLower);
+        return key ? { key, ...this.models[key] } : null;
+    }
+
+    getTemplate(name) {
+        return (name && this.templates[name]) || null;
+    }
+}
+
+module.exports = ModelCatalog;
@@ -0,0 +1,231 @@
+const fetch = require('node-fetch');
+
+// Client for any server exposing the OpenAI /v1/chat/completions API
+// (Ollama, llama.cpp's llama-server, LM Studio, vLLM, OpenAI itself)
+class OpenAICompatibleClient {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+        this.model = options.model || null;
+        this.apiKey = options.apiKey || null;
+        this.timeout = options.timeout || 60000;
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async request(pathname, options = {}) {
+        const { method = 'GET', body, timeout = this.timeout, signal } = options;
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onAbort);
+        }
+
+        try {
+            const response = await fetch(`${this.baseUrl}${pathname}`, {
+                method,
+                headers: this.getHeaders(),
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const text = await response.text().catch(() => '');
+                let message = text;
+                try {
+                    const parsed = JSON.parse(text);
+                    message = (parsed.error && (parsed.error.message || parsed.error)) || text;
+                } catch (error) {
+                    // Not JSON, keep the raw text
+                }
+                throw new Error(`HTTP ${response.status} from ${this.baseUrl}${pathname}${message ? `: ${message}` : ''}`);
+            }
+
+            return { response, clearTimer: () => timer && clearTimeout(timer) };
+        } catch (error) {
+            if (timer) clearTimeout(timer);
+            if (error.name === 'AbortError') {
+                if (timedOut) {
+                    throw new Error(`Request to ${this.baseUrl} timed out after ${Math.round(timeout / 1000)} seconds`);
+                }
+                error.cancelled = true;
+            }
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    async listModels() {
+        const { response, clearTimer } = await this.request('/models', { timeout: 5000 });
+        try {
+            const data = await response.json();
+            return (data.data || []).map(model => model.id);
+        } finally {
+            clearTimer();
+        }
+    }
+
+    async chat(messages, options = {}) {
+        const { model, maxTokens, temperature, topP, jsonSchema, onTextChunk, signal, timeout } = options;
+
+        const body = {
+            model: model || this.model,
+            messages,
+            stream: !!onTextChunk
+        };
+        if (maxTokens) body.max_tokens = maxTokens;
+        if (temperature !== undefined) body.temperature = temperature;
+        if (topP !== undefined) body.top_p = topP;
+        // Strict mode needs an object at the root, so anything else is wrapped in { "value": ... }
+        // and unwrapped again below
+        const wrapped = jsonSchema ? jsonSchema.type !== 'object' : false;
+        if (jsonSchema) {
+            const schema = toStrictSchema(jsonSchema);
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: {
+                    name: 'response',
+                    schema: wrapped
+                        ? { type: 'object', properties: { value: schema }, required: ['value'], additionalProperties: false }
+                        : schema,
+                    strict: true
+                }
+            };
+        }
+
+        const { response, clearTimer } = await this.request('/chat/completions', {
+            method: 'POST',
+            body,
+            timeout,
+            signal
+        });
+
+        try {
+            let content;
+            if (!onTextChunk) {
+                const data = await response.json();
+                const choice = data.choices && data.choices[0];
+                content = (choice && choice.message && choice.message.content) || '';
+            } else {
+                content = await this.readStream(response.body, onTextChunk);
+            }
+            return wrapped ? unwrapValue(content) : content;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                error.cancelled = true;
+            }
+            throw error;
+        } finally {
+            clearTimer();
+        }
+    }
+
+    async embed(text, options = {}) {
+        const { response, clearTimer } = await this.request('/embeddings', {
+            method: 'POST',
+            body: { model: options.model || this.model, input: text },
+            signal: options.signal
+        });
+        try {
+            const data = await response.json();
+            if (!data.data || !data.data[0]) {
+                throw new Error(`No embedding returned by ${this.baseUrl}`);
+            }
+            return data.data[0].embedding;
+        } finally {
+            clearTimer();
+        }
+    }
+
+    async readStream(body, onTextChunk) {
+        // Server-sent events: "data: {json}\n\n" per delta, terminated by "data: [DONE]"
+        let text = '';
+        let pending = '';
+
+        try {
+            for await (const chunk of body) {
+                pending += chunk.toString('utf8');
+                const lines = pending.split('\n');
+                pending = lines.pop();
+
+                for (const line of lines) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith('data:')) continue;
+
+                    const payload = trimmed.slice(5).trim();
+                    if (payload === '[DONE]') {
+                        return text;
+                    }
+
+                    try {
+                        const data = JSON.parse(payload);
+                        const delta = data.choices && data.choices[0] && data.choices[0].delta;
+                        if (delta && delta.content) {
+                            text += delta.content;
+                            onTextChunk(delta.content);
+                        }
+                    } catch (error) {
+                        // Ignore keep-alive comments and partial events
+                    }
+                }
+            }
+        } catch (error) {
+            // An aborted stream (Ctrl+C) keeps whatever was streamed so far
+            if (error.name === 'AbortError') {
+                return text;
+            }
+            throw error;
+        }
+
+        return text;
+    }
+}
+
+// Structured outputs accept "anyOf" but not "oneOf". Tool call branches differ in their "tool"
+// constant, so at most one can match and the two mean the same here.
+function toStrictSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return schema;
+    }
+    const strict = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'oneOf' || key === 'anyOf') {
+            strict.anyOf = value.map(toStrictSchema);
+        } else if (key === 'properties') {
+            strict.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toStrictSchema(property)]));
+        } else if (key === 'items') {
+            strict.items = toStrictSchema(value);
+        } else {
+            strict[key] = value;
+        }
+    }
+    return strict;
+}
+
+// Servers without structured outputs may answer with the bare value, which is kept as it is
+function unwrapValue(content) {
+    try {
+        const parsed = JSON.parse(content);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && Object.keys(parsed).length === 1 && 'value' in parsed) {
+            return JSON.stringify(parsed.value);
+        }
+    } catch (error) {
+        // Not JSON, let the caller report it
+    }
+    return content;
+}
+
+module.exports = OpenAICompatibleClient;
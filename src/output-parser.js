@@ -0,0 +1,157 @@
+// Turns the text a command tool prints into data callers can use. A tool declares
+// "output": { "type": ... } with one of:
+//
+//   json   - the whole output is one JSON value
+//   lines  - an array of the non-empty lines
+//   table  - an array of row objects; column names come from the header line or from
+//            "columns", values are split on "separator" (default: whitespace) and the last
+//            column keeps the rest of the line. "skip" drops leading lines, "header": false
+//            means there is no header line.
+//   regex  - every match of "pattern" (with "flags"): an object of named groups, an array
+//            of captures, or the matched text
+//   kv     - an object from "key: value" / "key=value" lines, split on the first "separator"
+
+const TYPES = {
+    json: [],
+    lines: [],
+    table: ['columns', 'header', 'separator', 'skip'],
+    regex: ['pattern', 'flags'],
+    kv: ['separator']
+};
+
+const DEFAULT_SEPARATORS = {
+    table: '\\s+',
+    kv: '\\s*[:=]\\s*'
+};
+
+class OutputParser {
+    constructor(spec) {
+        this.spec = spec;
+    }
+
+    parse(text) {
+        const spec = this.spec;
+        switch (spec.type) {
+            case 'json':
+                try {
+                    return JSON.parse(text);
+                } catch (error) {
+                    throw new Error(`Output is not valid JSON: ${error.message}`);
+                }
+            case 'lines':
+                return nonEmptyLines(text);
+            case 'table':
+                return this.parseTable(text);
+            case 'regex':
+                return this.parseRegex(text);
+            case 'kv':
+                return this.parseKeyValues(text);
+            default:
+                throw new Error(`Unknown output type "${spec.type}"`);
+        }
+    }
+
+    parseTable(text) {
+        const { columns, header = true, skip = 0 } = this.spec;
+        const separator = new RegExp(this.spec.separator || DEFAULT_SEPARATORS.table, 'g');
+        // Leading whitespace only matters when something else separates the columns
+        const lines = nonEmptyLines(text).slice(skip).map(line => (this.spec.separator ? line : line.trim()));
+        if (header && lines.length === 0) {
+            return [];
+        }
+
+        // Header cells become identifiers: "%CPU" → "cpu", "Use%" → "use"
+        const names = columns || splitColumns(lines[0], separator, Infinity)
+            .map((cell, index) => cell.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || `column_${index + 1}`);
+        const rows = header ? lines.slice(1) : lines;
+
+        return rows.map(line => {
+            const cells = splitColumns(line, separator, names.length);
+            return Object.fromEntries(names.map((name, index) => [name, cells[index] !== undefined ? cells[index] : '']));
+        });
+    }
+
+    parseRegex(text) {
+        const flags = this.spec.flags || '';
+        const pattern = new RegExp(this.spec.pattern, flags.includes('g') ? flags : `${flags}g`);
+        return [...text.matchAll(pattern)].map(match => {
+            if (match.groups) return { ...match.groups };
+            if (match.length > 1) return match.slice(1);
+            return match[0];
+        });
+    }
+
+    parseKeyValues(text) {
+        const separator = new RegExp(this.spec.separator || DEFAULT_SEPARATORS.kv);
+        const values = {};
+        for (const line of nonEmptyLines(text)) {
+            const match = line.match(separator);
+            if (!match || match.index === 0) continue;
+            values[line.slice(0, match.index).trim()] = line.slice(match.index + match[0].length).trim();
+        }
+        return values;
+    }
+
+    // Problems with an output spec that the schema cannot express, each with the option it concerns
+    static check(spec) {
+        const problems = [];
+        if (!spec || typeof spec !== 'object' || !TYPES[spec.type]) {
+            return problems;
+        }
+        for (const option of Object.keys(spec)) {
+            if (option !== 'type' && !TYPES[spec.type].includes(option)) {
+                problems.push({ option, message: `"${option}" does not apply to ${spec.type} output` });
+            }
+        }
+        if (spec.type === 'regex' && typeof spec.pattern !== 'string') {
+            problems.push({ option: null, message: 'regex output needs a "pattern"' });
+        }
+        for (const option of ['pattern', 'separator']) {
+            if (typeof spec[option] !== 'string') continue;
+            try {
+                new RegExp(spec[option], option === 'pattern' ? spec.flags || '' : '');
+            } catch (error) {
+                problems.push({ option, message: error.message });
+            }
+        }
+        return problems;
+    }
+
+    // A short description for the console: "12 items", "3 fields"
+    static describe(value) {
+        if (Array.isArray(value)) {
+            return `${value.length} item${value.length === 1 ? '' : 's'}`;
+        }
+        if (value && typeof value === 'object') {
+            const count = Object.keys(value).length;
+            return `${count} field${count === 1 ? '' : 's'}`;
+        }
+        return JSON.stringify(value);
+    }
+}
+
+function nonEmptyLines(text) {
+    return String(text).split(/\r?\n/).filter(line => line.trim().length > 0);
+}
+
+// Splits on the separator at most limit - 1 times; the last cell keeps the rest of the line
+function splitColumns(line, separator, limit) {
+    const cells = [];
+    let start = 0;
+    separator.lastIndex = 0;
+    let match;
+    while (cells.length < limit - 1 && (match = separator.exec(line)) !== null) {
+        if (match[0].length === 0) {
+            separator.lastIndex++;
+            continue;
+        }
+        cells.push(line.slice(start, match.index));
+        start = match.index + match[0].length;
+    }
+    cells.push(line.slice(start));
+    return cells;
+}
+
+OutputParser.TYPES = Object.keys(TYPES);
+
+module.exports = OutputParser;
@@ -0,0 +1,26 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Appends a line of text to a file, creating the file when it does not exist yet.
+
+function targetPath({ file }, ctx) {
+    return path.resolve(ctx.cwd, file);
+}
+
+module.exports = {
+    describe(params, ctx) {
+        return `append ${params.text.length} characters to ${targetPath(params, ctx)}`;
+    },
+
+    async execute(params, ctx) {
+        const file = targetPath(params, ctx);
+        const existing = await fs.exists(file) ? await fs.readFile(file, 'utf8') : '';
+        // Keep the new text on its own line
+        const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+        const text = params.text.endsWith('\n') ? params.text : `${params.text}\n`;
+
+        await fs.appendFile(file, separator + text);
+        ctx.logger.success(`📝 Appended to ${file}`);
+        return { file, characters: text.length };
+    }
+};
@@ -0,0 +1,43 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Writes a post, article or document about a topic. The text comes from the content model,
+// backed by web research, or from offline templates when no model is available.
+
+const PREVIEW_LENGTH = 300;
+
+function defaultFilename(type, topic) {
+    const sanitizedTopic = topic.toLowerCase()
+        .replace(/[^a-z0-9\s]/g, '')
+        .replace(/\s+/g, '_')
+        .substring(0, 30);
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    const extension = type === 'post' || type === 'article' ? 'md' : 'txt';
+    return `${sanitizedTopic}_${timestamp}.${extension}`;
+}
+
+function outputPath({ type, topic, filename }, ctx) {
+    return path.resolve(ctx.cwd, filename || defaultFilename(type, topic));
+}
+
+module.exports = {
+    describe(params, ctx) {
+        return `write a ${params.type} about "${params.topic}" to ${outputPath(params, ctx)}`;
+    },
+
+    async execute(params, ctx) {
+        const { type, topic } = params;
+        ctx.logger.success(`📝 Creating ${type} about: ${topic}`);
+
+        const content = await ctx.model.generateContent(type, topic);
+        const file = outputPath(params, ctx);
+        await fs.writeFile(file, content);
+
+        ctx.logger.success(`✅ Created ${type}: ${file}`);
+        ctx.logger.info('📄 Content preview:');
+        ctx.logger.info(content.substring(0, PREVIEW_LENGTH) + (content.length > PREVIEW_LENGTH ? '...' : ''));
+
+        return { file, type, topic, characters: content.length };
+    }
+};
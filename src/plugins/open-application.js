@@ -0,0 +1,42 @@
+// Opens an application by its everyday name ("calculator", "browser") or a file. Names go
+// through the app mappings; when launching fails, the platform's alternatives are tried and
+// the one that works is remembered for next time. Applications are launched, not waited for,
+// so they keep running after the tool returns.
+
+module.exports = {
+    describe({ target }, ctx) {
+        return ctx.apps.command(target);
+    },
+
+    async execute({ target }, ctx) {
+        const command = ctx.apps.command(target);
+        try {
+            await ctx.launch(command);
+            return { opened: target, command };
+        } catch (error) {
+            await ctx.apps.recordFailure(target, command, error.message);
+
+            const alternatives = ctx.apps.alternatives(target);
+            if (alternatives.length === 0) {
+                throw error;
+            }
+
+            ctx.logger.warn('💡 Trying alternative applications:');
+            for (const alternative of alternatives) {
+                ctx.logger.debug(`   • ${alternative}`);
+                const alternativeCommand = ctx.apps.command(alternative);
+                try {
+                    await ctx.launch(alternativeCommand);
+                } catch (alternativeError) {
+                    ctx.logger.debug(`   ❌ ${alternative} also failed`);
+                    continue;
+                }
+
+                ctx.logger.success(`✅ Found working alternative: ${alternative}`);
+                await ctx.apps.remember(target, alternative);
+                return { opened: alternative, command: alternativeCommand };
+            }
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,21 @@
+// Summarizes text with the summarization model, e.g. the output of an earlier pipeline step.
+
+module.exports = {
+    describe({ text, max_words: maxWords }) {
+        return `summarize ${text.length} characters in at most ${maxWords} words`;
+    },
+
+    async execute({ text, max_words: maxWords }, ctx) {
+        if (!text.trim()) {
+            throw new Error('Nothing to summarize');
+        }
+
+        const summary = (await ctx.model.complete(text, {
+            task: 'summarization',
+            systemPrompt: `Summarize the following text in at most ${maxWords} words, as a single line. Keep names and figures.`
+        })).trim();
+
+        ctx.logger.info(summary);
+        return { summary };
+    }
+};
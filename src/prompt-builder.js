@@ -0,0 +1,122 @@
+// Assembles a prompt from named sections and shrinks the least important ones
+// until the whole prompt fits a token budget.
+//
+// Per section options:
+//   priority   - higher survives longer; Infinity (the default) is never shrunk
+//   compact    - shorter alternative text tried before truncating
+//   summarize  - ask the summarizer for a shorter version instead of cutting the tail
+//   minTokens  - never cut below this; 0 lets the section disappear entirely
+
+const TRUNCATION_MARKER = '\n[... truncated to fit the context window]';
+
+class PromptBuilder {
+    constructor(countTokens, summarize = null) {
+        this.countTokens = countTokens;
+        this.summarize = summarize; // async (text, maxTokens) => shorter text
+        this.sections = [];
+    }
+
+    add(name, text, options = {}) {
+        this.sections.push({
+            name,
+            header: options.header || null,
+            text: String(text || ''),
+            compact: options.compact || null,
+            priority: options.priority !== undefined ? options.priority : Infinity,
+            summarize: !!options.summarize,
+            minTokens: options.minTokens || 0
+        });
+        return this;
+    }
+
+    render() {
+        return this.sections
+            .filter(section => section.text.length > 0)
+            .map(section => (section.header ? `${section.header}\n${section.text}` : section.text))
+            .join('\n\n');
+    }
+
+    async build(budget) {
+        const adjustments = [];
+        let tokens = this.countTokens(this.render());
+
+        if (budget === null || budget === undefined || tokens <= budget) {
+            return { prompt: this.render(), tokens, adjustments, fits: true };
+        }
+
+        // Least important first; equal priorities shrink the later (usually bulkier) section first
+        const shrinkable = this.sections
+            .map((section, index) => ({ section, index }))
+            .filter(({ section }) => section.priority !== Infinity)
+            .sort((a, b) => a.section.priority - b.section.priority || b.index - a.index)
+            .map(({ section }) => section);
+
+        // Compact alternatives lose the least, so they are all tried before anything is cut
+        for (const section of shrinkable) {
+            if (tokens <= budget) break;
+            const before = this.countTokens(section.text);
+            if (section.compact && this.countTokens(section.compact) < before) {
+                section.text = section.compact;
+                tokens = this.countTokens(this.render());
+                adjustments.push({ name: section.name, action: 'compacted', from: before, to: this.countTokens(section.text) });
+            }
+        }
+
+        for (const section of shrinkable) {
+            if (tokens <= budget) break;
+
+            const before = this.countTokens(section.text);
+            const target = Math.max(section.minTokens, before - (tokens - budget));
+            if (target >= before) continue;
+
+            if (target <= 0) {
+                section.text = '';
+                adjustments.push({ name: section.name, action: 'dropped', from: before, to: 0 });
+            } else if (section.summarize && this.summarize) {
+                try {
+                    const summary = await this.summarize(section.text, target);
+                    section.text = this.countTokens(summary) <= target ? summary : this.truncate(summary, target);
+                    adjustments.push({ name: section.name, action: 'summarized', from: before, to: this.countTokens(section.text) });
+                } catch (error) {
+                    section.text = this.truncate(section.text, target);
+                    adjustments.push({ name: section.name, action: 'truncated', from: before, to: this.countTokens(section.text) });
+                }
+            } else {
+                section.text = this.truncate(section.text, target);
+                adjustments.push({ name: section.name, action: section.text ? 'truncated' : 'dropped', from: before, to: this.countTokens(section.text) });
+            }
+
+            tokens = this.countTokens(this.render());
+        }
+
+        return { prompt: this.render(), tokens, adjustments, fits: tokens <= budget };
+    }
+
+    // Keeps the beginning of the text, cut on the longest prefix that fits maxTokens
+    truncate(text, maxTokens) {
+        if (this.countTokens(text) <= maxTokens) {
+            return text;
+        }
+        if (this.countTokens(TRUNCATION_MARKER) >= maxTokens) {
+            return '';
+        }
+
+        let low = 0;
+        let high = text.length;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.countTokens(text.slice(0, middle) + TRUNCATION_MARKER) <= maxTokens) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        // Prefer cutting at a line or word boundary
+        const cut = text.slice(0, low);
+        const boundary = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf(' '));
+        return (boundary > low * 0.8 ? cut.slice(0, boundary) : cut).trimEnd() + TRUNCATION_MARKER;
+    }
+}
+
+module.exports = PromptBuilder;
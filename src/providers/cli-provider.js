@@ -0,0 +1,183 @@
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const Provider = require('./provider');
+
+// Runs a vendor CLI (claude, gemini) non-interactively and captures what it prints.
+// The prompt is written to stdin, so it never passes through a shell or argv limits.
+// Settings: "headless": { "claude": { "command": "claude", "args": ["-p"] } } in config.json
+class CliProvider extends Provider {
+    constructor(name, label, defaults, getSettings) {
+        super(name, label, `${label} CLI in print mode (${defaults.command} ${defaults.args.join(' ')})`.trim());
+        this.defaults = defaults;
+        this.getSettings = getSettings;
+    }
+
+    get defaultTimeout() {
+        return this.getCommandSettings().timeout || 120000;
+    }
+
+    get capabilities() {
+        return { complete: true, chat: true, stream: true, embed: false, json: true };
+    }
+
+    getCommandSettings() {
+        const settings = (this.getSettings() || {})[this.name] || {};
+        return {
+            command: settings.command || this.defaults.command,
+            args: settings.args || this.defaults.args,
+            timeout: settings.timeout,
+            contextSize: settings.contextSize
+        };
+    }
+
+    getContextSize() {
+        return this.getCommandSettings().contextSize || null;
+    }
+
+    getModelName() {
+        return this.getCommandSettings().command;
+    }
+
+    async findExecutable(command) {
+        if (command.includes('/') || command.includes('\\')) {
+            return (await fs.exists(command)) ? command : null;
+        }
+        const extensions = process.platform === 'win32' ? ['.cmd', '.exe', '.bat', ''] : [''];
+        for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+            for (const extension of extensions) {
+                const candidate = path.join(dir, command + extension);
+                if (await fs.exists(candidate)) {
+                    return candidate;
+                }
+            }
+        }
+        return null;
+    }
+
+    async isAvailable() {
+        return !!(await this.findExecutable(this.getCommandSettings().command));
+    }
+
+    async getStatus() {
+        const { command, args } = this.getCommandSettings();
+        const executable = await this.findExecutable(command);
+        const details = [`Command: ${command} ${args.join(' ')}`.trim()];
+        if (!executable) {
+            return { available: false, details, error: `"${command}" was not found on PATH` };
+        }
+
+        details.push(`Path: ${executable}`);
+        try {
+            const version = await this.run(['--version'], '', { timeout: 10000 });
+            details.push(`Version: ${version.trim().split('\n')[0]}`);
+            return { available: true, details };
+        } catch (error) {
+            return { available: false, details, error: error.message };
+        }
+    }
+
+    run(args, input, options = {}) {
+        const { command } = this.getCommandSettings();
+        const { onTextChunk, signal, timeout } = options;
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {
+                stdio: ['pipe', 'pipe', 'pipe'],
+                shell: process.platform === 'win32' // npm installs these CLIs as .cmd shims on Windows
+            });
+
+            let stdout = '';
+            let stderr = '';
+            let settled = false;
+            let timer = null;
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                if (timer) clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                if (error) reject(error); else resolve(result);
+            };
+
+            const onAbort = () => {
+                child.kill();
+                // Keep whatever was printed before Ctrl+C
+                finish(null, stdout);
+            };
+            if (signal) {
+                if (signal.aborted) return onAbort();
+                signal.addEventListener('abort', onAbort);
+            }
+            if (timeout) {
+                timer = setTimeout(() => {
+                    child.kill();
+                    finish(new Error(`${command} timed out after ${Math.round(timeout / 1000)} seconds`));
+                }, timeout);
+            }
+
+            child.stdout.on('data', (data) => {
+                const text = data.toString();
+                stdout += text;
+                if (onTextChunk) onTextChunk(text);
+            });
+            child.stderr.on('data', (data) => stderr += data.toString());
+
+            child.on('error', (error) => {
+                finish(new Error(`Could not run "${command}": ${error.message}`));
+            });
+            child.on('close', (code) => {
+                if (code === 0) {
+                    finish(null, stdout);
+                } else {
+                    finish(new Error(`${command} exited with code ${code}${stderr.trim() ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+                }
+            });
+
+            child.stdin.on('error', () => {
+                // The CLI may exit before reading its input, the close handler reports that
+            });
+            child.stdin.end(input);
+        });
+    }
+
+    messagesToPrompt(messages) {
+        // Print mode takes a single prompt, so system instructions and earlier turns are inlined
+        const system = messages.filter(message => message.role === 'system').map(message => message.content);
+        const turns = messages.filter(message => message.role !== 'system');
+        const last = turns.pop();
+
+        const parts = [];
+        if (system.length > 0) {
+            parts.push(system.join('\n\n'));
+        }
+        if (turns.length > 0) {
+            parts.push('Conversation so far:\n' + turns
+                .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+                .join('\n'));
+        }
+        parts.push(last ? last.content : '');
+        return parts.join('\n\n');
+    }
+
+    async chat(messages, options = {}) {
+        const { args } = this.getCommandSettings();
+        // Both the claude and gemini CLIs take --model
+        const output = await this.run(options.model ? [...args, '--model', options.model] : args, this.messagesToPrompt(messages), {
+            onTextChunk: options.onTextChunk,
+            signal: options.signal
+        });
+        return output.trim();
+    }
+
+    async completeJson(prompt, schema, options = {}) {
+        const response = await this.complete(
+            `${prompt}\n\nRespond with a single JSON value matching this JSON schema and nothing else:\n${JSON.stringify(schema)}`,
+            options
+        );
+        // CLIs like to wrap JSON in markdown fences
+        const fenced = response.match(/```(?:json)?\s*([\s\S]*?)```/);
+        return this.checkJson(JSON.parse(fenced ? fenced[1] : response), schema);
+    }
+}
+
+module.exports = CliProvider;
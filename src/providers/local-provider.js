@@ -0,0 +1,138 @@
+const Provider = require('./provider');
+
+// Installed GGUF models run in-process through node-llama-cpp.
+// Model lifecycle (loading, switching, unloading) stays in C9AI; this wraps generation.
+class LocalProvider extends Provider {
+    constructor(c9ai) {
+        super('local', 'Local AI', 'Installed GGUF models via node-llama-cpp');
+        this.c9ai = c9ai;
+    }
+
+    get defaultTimeout() {
+        return this.c9ai.localModelTimeout;
+    }
+
+    get capabilities() {
+        return { complete: true, chat: true, stream: true, embed: true, json: true };
+    }
+
+    getModelName() {
+        return this.c9ai.localModel ? this.c9ai.localModel.modelFile : this.c9ai.activeLocalModel;
+    }
+
+    isLocal() {
+        return true;
+    }
+
+    getContextSize() {
+        const localModel = this.c9ai.localModel;
+        return localModel && localModel.context ? localModel.context.contextSize : null;
+    }
+
+    countTokens(text) {
+        // The real tokenizer once a model is loaded, otherwise the estimate
+        return this.c9ai.isLocalModelLoaded() ? this.c9ai.countTokens(String(text || '')) : super.countTokens(text);
+    }
+
+    async isAvailable() {
+        return await this.c9ai.hasLocalModel();
+    }
+
+    async getStatus() {
+        const files = await this.c9ai.getInstalledModelFiles();
+        const activeFile = await this.c9ai.getActiveLocalModelFile();
+        const localModel = this.c9ai.localModel;
+        const details = [
+            `Installed models: ${files.length}`,
+            `Active model: ${activeFile || 'none'}`,
+            `Loaded: ${localModel ? `${localModel.modelFile}${localModel.fallbackMode ? ' (fallback mode)' : ''}` : 'no'}`
+        ];
+        const error = files.length === 0 ? 'No local models installed' : null;
+        return { available: files.length > 0, details, error };
+    }
+
+    async ensureLoaded(modelName) {
+        await this.c9ai.initLocalModel(modelName);
+        if (!this.c9ai.isLocalModelLoaded()) {
+            throw new Error('Local model not available (llama.cpp is running in fallback mode)');
+        }
+        return this.c9ai.localModel;
+    }
+
+    async chat(messages, options = {}) {
+        const {
+            model: modelName,
+            maxTokens = 150,
+            temperature = 0.7,
+            topK,
+            topP,
+            minP,
+            repeatPenalty = 1.1,
+            stopSequences = [],
+            grammar,
+            onTextChunk,
+            signal
+        } = options;
+
+        const { session } = await this.ensureLoaded(modelName);
+        const prompt = messages[messages.length - 1].content;
+
+        // Each request sets the whole history, so one-shot prompts never see earlier turns
+        const history = messages.slice(0, -1).map(message => {
+            if (message.role === 'system') return { type: 'system', text: message.content };
+            if (message.role === 'user') return { type: 'user', text: message.content };
+            return { type: 'model', response: [message.content] };
+        });
+        if (history.length > 0) {
+            session.setChatHistory(history);
+        } else {
+            session.resetChatHistory();
+        }
+
+        try {
+            return await session.prompt(prompt, {
+                maxTokens,
+                temperature,
+                topK,
+                topP,
+                minP,
+                repeatPenalty: repeatPenalty ? { penalty: repeatPenalty } : false,
+                customStopTriggers: stopSequences.length > 0 ? stopSequences : undefined,
+                grammar,
+                onTextChunk,
+                signal,
+                stopOnAbortSignal: true // Keep whatever was generated before Ctrl+C
+            });
+        } finally {
+            // The idle countdown starts when the answer is done, not when it was requested
+            this.c9ai.touchLocalModel();
+        }
+    }
+
+    async completeJson(prompt, schema, options = {}) {
+        // The grammar restricts sampling to tokens that keep the output valid for the schema
+        const localModel = await this.ensureLoaded(options.model);
+        const cacheKey = JSON.stringify(schema);
+        if (!localModel.grammars) {
+            localModel.grammars = {};
+        }
+        if (!localModel.grammars[cacheKey]) {
+            localModel.grammars[cacheKey] = await localModel.llama.createGrammarForJsonSchema(schema);
+        }
+        const grammar = localModel.grammars[cacheKey];
+
+        const response = await this.complete(prompt, { ...options, grammar });
+        return grammar.parse(response);
+    }
+
+    async embed(text, options = {}) {
+        const localModel = await this.ensureLoaded(options.model);
+        if (!localModel.embeddingContext) {
+            localModel.embeddingContext = await localModel.model.createEmbeddingContext();
+        }
+        const embedding = await localModel.embeddingContext.getEmbeddingFor(text);
+        return Array.from(embedding.vector);
+    }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,118 @@
+const Provider = require('./provider');
+const OpenAICompatibleClient = require('../openai-client');
+
+const DEFAULT_SERVER_CHECK_MS = 30000; // How long "is the default server up?" is remembered
+
+// Any server exposing the OpenAI API (Ollama, llama-server, LM Studio, vLLM, OpenAI)
+// Settings come from "openai": { baseUrl, model, apiKey, embeddingModel, timeout } in config.json
+class OpenAIProvider extends Provider {
+    constructor(getSettings) {
+        super('openai', 'OpenAI-compatible server', 'Any /v1/chat/completions endpoint (Ollama, llama-server, LM Studio)');
+        this.getSettings = getSettings;
+    }
+
+    get defaultTimeout() {
+        return (this.getSettings() || {}).timeout || 60000;
+    }
+
+    get capabilities() {
+        return { complete: true, chat: true, stream: true, embed: true, json: true };
+    }
+
+    getClient() {
+        const settings = this.getSettings() || {};
+        return new OpenAICompatibleClient({
+            baseUrl: settings.baseUrl,
+            model: settings.model,
+            apiKey: settings.apiKey || process.env.C9AI_OPENAI_API_KEY
+        });
+    }
+
+    isLocal() {
+        // Ollama or llama-server on this machine counts as local, a remote endpoint does not
+        try {
+            const { hostname } = new URL(this.getClient().baseUrl);
+            return ['localhost', '127.0.0.1', '::1', '[::1]'].includes(hostname) || hostname.startsWith('127.');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getModelName() {
+        return this.getClient().model;
+    }
+
+    async isAvailable() {
+        // A configured server is enough, requests fail with a clear error if it is down. The default
+        // (Ollama on this machine) only counts when it answers, so fallback chains skip it otherwise.
+        if ((this.getSettings() || {}).baseUrl) {
+            return true;
+        }
+        const now = Date.now();
+        if (!this.defaultServerCheck || now - this.defaultServerCheck.checkedAt > DEFAULT_SERVER_CHECK_MS) {
+            this.defaultServerCheck = {
+                checkedAt: now,
+                available: this.getClient().listModels().then(() => true, () => false)
+            };
+        }
+        return await this.defaultServerCheck.available;
+    }
+
+    async getStatus() {
+        const client = this.getClient();
+        const details = [
+            `Base URL: ${client.baseUrl}`,
+            `Model: ${client.model || 'first served model'}`,
+            `API key: ${client.apiKey ? 'set' : 'none'}`
+        ];
+        try {
+            const models = await client.listModels();
+            details.push(`Served models: ${models.length > 0 ? models.join(', ') : 'none reported'}`);
+            return { available: true, details };
+        } catch (error) {
+            return { available: false, details, error: error.message };
+        }
+    }
+
+    async getReadyClient() {
+        const client = this.getClient();
+        if (!client.model) {
+            // Ollama and friends require a model name, default to the first one served
+            const models = await client.listModels();
+            if (models.length === 0) {
+                throw new Error(`No model configured and ${client.baseUrl} reports none`);
+            }
+            client.model = models[0];
+        }
+        return client;
+    }
+
+    getContextSize() {
+        // Servers do not report it through the OpenAI API, so it comes from config
+        return (this.getSettings() || {}).contextSize || null;
+    }
+
+    async chat(messages, options = {}) {
+        const { model, maxTokens = 150, temperature = 0.7, topP, jsonSchema, onTextChunk, signal } = options;
+        // A routed model skips the lookup of the server's default model
+        const client = model ? this.getClient() : await this.getReadyClient();
+        return await client.chat(messages, {
+            model,
+            maxTokens,
+            temperature,
+            topP,
+            jsonSchema,
+            onTextChunk,
+            signal,
+            timeout: null // ProviderManager owns the timeout
+        });
+    }
+
+    async embed(text, options = {}) {
+        const settings = this.getSettings() || {};
+        const client = await this.getReadyClient();
+        return await client.embed(text, { model: settings.embeddingModel, signal: options.signal });
+    }
+}
+
+module.exports = OpenAIProvider;
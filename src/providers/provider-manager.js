@@ -0,0 +1,136 @@
+const chalk = require('chalk');
+
+// Registry of model providers. Every AI request goes through request(), which owns the
+// shared timeout, retry and Ctrl+C cancellation policy.
+class ProviderManager {
+    constructor() {
+        this.providers = {};
+        this.activeRequest = null; // In-flight request, so Ctrl+C can stop it
+        this.retryDelay = 1000;
+    }
+
+    register(provider) {
+        this.providers[provider.name] = provider;
+        return provider;
+    }
+
+    has(name) {
+        return !!this.providers[name];
+    }
+
+    get(name) {
+        const provider = this.providers[name];
+        if (!provider) {
+            throw new Error(`Unknown provider "${name}". Available: ${Object.keys(this.providers).join(', ')}`);
+        }
+        return provider;
+    }
+
+    list() {
+        return Object.values(this.providers);
+    }
+
+    async request(name, method, args = [], options = {}) {
+        const provider = this.get(name);
+        const { timeout = provider.defaultTimeout, retries = 0, ...providerOptions } = options;
+
+        if (!provider.capabilities[method === 'completeJson' ? 'json' : method]) {
+            throw new Error(`${provider.label} does not support ${method}`);
+        }
+
+        let lastError;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            const request = { controller: new AbortController(), cancelled: false, timedOut: false };
+            const timer = timeout ? setTimeout(() => {
+                request.timedOut = true;
+                request.controller.abort();
+            }, timeout) : null;
+            this.activeRequest = request;
+
+            try {
+                const result = await provider[method](...args, { ...providerOptions, signal: request.controller.signal });
+
+                if (request.timedOut) {
+                    throw new Error(`${provider.label} timeout after ${Math.round(timeout / 1000)} seconds`);
+                }
+                if (request.cancelled) {
+                    if (providerOptions.onTextChunk) providerOptions.onTextChunk('\n');
+                    console.log(chalk.gray('⏹️  Generation stopped'));
+                }
+                return result;
+            } catch (error) {
+                if (request.cancelled) {
+                    console.log(chalk.gray('⏹️  Generation stopped'));
+                    error.cancelled = true;
+                    throw error;
+                }
+                lastError = request.timedOut
+                    ? new Error(`${provider.label} timeout after ${Math.round(timeout / 1000)} seconds`)
+                    : error;
+
+                if (attempt < retries) {
+                    console.log(chalk.yellow(`⚠️ ${provider.label} retry ${attempt + 1}/${retries}: ${lastError.message}`));
+                    await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+                }
+            } finally {
+                if (timer) clearTimeout(timer);
+                this.activeRequest = null;
+            }
+        }
+
+        if (retries > 0) {
+            throw new Error(`${provider.label} failed after ${retries + 1} attempts: ${lastError.message}`);
+        }
+        throw lastError;
+    }
+
+    // Tries each { provider, model } in order until one answers. args may be a function of the
+    // entry, for requests shaped per provider. Resolves to { result, provider, model }.
+    async requestChain(chain, method, args = [], options = {}) {
+        const failures = [];
+        let lastError;
+
+        for (const [index, entry] of chain.entries()) {
+            const provider = this.get(entry.provider);
+            if (!await provider.isAvailable()) {
+                lastError = new Error(`${provider.label} is not available`);
+                failures.push(lastError.message);
+                continue;
+            }
+            if (index > 0 && failures.length > 0) {
+                console.log(chalk.yellow(`↪️  Falling back to ${provider.label}...`));
+            }
+
+            try {
+                const entryArgs = typeof args === 'function' ? await args(entry) : args;
+                const result = await this.request(entry.provider, method, entryArgs, { ...options, model: entry.model || undefined });
+                return { result, provider: entry.provider, model: entry.model };
+            } catch (error) {
+                if (error.cancelled) {
+                    throw error; // Ctrl+C stops the whole chain
+                }
+                lastError = error;
+                failures.push(`${provider.label}: ${error.message}`);
+                if (index < chain.length - 1) {
+                    console.log(chalk.yellow(`⚠️ ${provider.label} failed: ${error.message}`));
+                }
+            }
+        }
+
+        if (chain.length === 1 && lastError) {
+            throw lastError;
+        }
+        throw new Error(`All providers failed (${failures.join('; ')})`);
+    }
+
+    cancelActiveRequest() {
+        if (!this.activeRequest) {
+            return false;
+        }
+        this.activeRequest.cancelled = true;
+        this.activeRequest.controller.abort();
+        return true;
+    }
+}
+
+module.exports = ProviderManager;
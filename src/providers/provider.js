@@ -0,0 +1,89 @@
+const ToolRegistryValidator = require('../tool-registry-validator');
+
+// Base class for model backends. Messages use the OpenAI shape:
+// [{ role: 'system' | 'user' | 'assistant', content }]
+// Subclasses implement chat() (and embed() where the backend supports it).
+class Provider {
+    constructor(name, label, description) {
+        this.name = name;
+        this.label = label;
+        this.description = description;
+    }
+
+    // Used by ProviderManager when a request does not pass its own timeout
+    get defaultTimeout() {
+        return 30000;
+    }
+
+    get capabilities() {
+        return { complete: true, chat: true, stream: true, embed: false, json: true };
+    }
+
+    // Model that currently answers requests (shown in status and saved with sessions)
+    getModelName() {
+        return null;
+    }
+
+    // Context window in tokens, or null when unknown (prompts are then sent as they are)
+    getContextSize() {
+        return null;
+    }
+
+    // Rough estimate (about four characters per token) for backends without a local tokenizer
+    countTokens(text) {
+        return Math.ceil(String(text || '').length / 4);
+    }
+
+    // True when requests never leave this machine; local-only work is restricted to these
+    isLocal() {
+        return false;
+    }
+
+    // Cheap check used before routing work here (no model loads; at most a short, cached probe)
+    async isAvailable() {
+        return false;
+    }
+
+    // Thorough check for "providers status"
+    async getStatus() {
+        return { available: await this.isAvailable(), details: [] };
+    }
+
+    async complete(prompt, options = {}) {
+        const messages = [];
+        if (options.systemPrompt) {
+            messages.push({ role: 'system', content: options.systemPrompt });
+        }
+        messages.push({ role: 'user', content: prompt });
+        return this.chat(messages, options);
+    }
+
+    async chat(messages, options = {}) {
+        throw new Error(`${this.label} does not support chat`);
+    }
+
+    async stream(messages, onTextChunk, options = {}) {
+        return this.chat(messages, { ...options, onTextChunk });
+    }
+
+    async completeJson(prompt, schema, options = {}) {
+        const response = await this.complete(prompt, { ...options, jsonSchema: schema });
+        return this.checkJson(JSON.parse(response), schema);
+    }
+
+    // Backends that cannot constrain generation (or may ignore the schema) are checked afterwards;
+    // a mismatch fails the request so the provider chain can fall back
+    checkJson(value, schema) {
+        const problems = new ToolRegistryValidator(schema).validate(value);
+        if (problems.length > 0) {
+            throw new Error(`${this.label} answered with JSON that does not match the schema: ${problems.slice(0, 3).join('; ')}`);
+        }
+        return value;
+    }
+
+    async embed(text, options = {}) {
+        throw new Error(`${this.label} does not support embeddings`);
+    }
+}
+
+module.exports = Provider;
@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Persists multi-turn conversations as ~/.c9ai/sessions/<id>.json
+class SessionStore {
+    constructor(sessionsDir) {
+        this.sessionsDir = sessionsDir;
+    }
+
+    create(model = null) {
+        const now = new Date().toISOString();
+        return {
+            id: crypto.randomBytes(4).toString('hex'),
+            title: '',
+            model,
+            createdAt: now,
+            updatedAt: now,
+            summary: '',
+            messages: []
+        };
+    }
+
+    getSessionPath(id) {
+        return path.join(this.sessionsDir, `${id}.json`);
+    }
+
+    async save(session) {
+        await fs.ensureDir(this.sessionsDir);
+        session.updatedAt = new Date().toISOString();
+        if (!session.title) {
+            const firstMessage = session.messages.find(message => message.role === 'user');
+            if (firstMessage) {
+                session.title = firstMessage.content.substring(0, 50);
+            }
+        }
+        await fs.writeJson(this.getSessionPath(session.id), session, { spaces: 2 });
+    }
+
+    async resolveId(idOrPrefix) {
+        // Ids are plain hex, anything else could escape the sessions directory
+        if (!idOrPrefix || !/^[a-f0-9]+$/i.test(idOrPrefix)) {
+            return null;
+        }
+
+        const ids = await this.listIds();
+        const exact = ids.find(id => id === idOrPrefix.toLowerCase());
+        if (exact) {
+            return exact;
+        }
+
+        const matches = ids.filter(id => id.startsWith(idOrPrefix.toLowerCase()));
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    async load(idOrPrefix) {
+        const id = await this.resolveId(idOrPrefix);
+        if (!id) {
+            return null;
+        }
+        return await fs.readJson(this.getSessionPath(id));
+    }
+
+    async remove(idOrPrefix) {
+        const id = await this.resolveId(idOrPrefix);
+        if (!id) {
+            return null;
+        }
+        await fs.remove(this.getSessionPath(id));
+        return id;
+    }
+
+    async listIds() {
+        if (!await fs.exists(this.sessionsDir)) {
+            return [];
+        }
+        const files = await fs.readdir(this.sessionsDir);
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'));
+    }
+
+    async list() {
+        const sessions = [];
+        for (const id of await this.listIds()) {
+            try {
+                const session = await fs.readJson(this.getSessionPath(id));
+                sessions.push({
+                    id: session.id,
+                    title: session.title,
+                    model: session.model,
+                    createdAt: session.createdAt,
+                    updatedAt: session.updatedAt,
+                    messageCount: session.messages.length,
+                    summarized: !!session.summary
+                });
+            } catch (error) {
+                // Skip unreadable session files
+            }
+        }
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+}
+
+module.exports = SessionStore;
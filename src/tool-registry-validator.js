@@ -0,0 +1,498 @@
+const fs = require('fs-extra');
+const path = require('path');
+const CommandTemplate = require('./command-template');
+const OutputParser = require('./output-parser');
+
+// Validates tool registries against tool-registry.schema.json and reports errors with the
+// line and column of the offending JSON value. Only the schema keywords the registry schema
+// uses are implemented: type, required, properties, additionalProperties, enum, pattern,
+// minLength, exclusiveMinimum, minItems, items and local $ref.
+
+const SCHEMA_PATH = path.join(__dirname, 'tool-registry.schema.json');
+
+class ToolRegistryValidator {
+    constructor(schema = fs.readJsonSync(SCHEMA_PATH)) {
+        this.schema = schema;
+    }
+
+    async validateFile(filePath) {
+        return this.validateText(await fs.readFile(filePath, 'utf8'), filePath);
+    }
+
+    // Returns { data, errors, invalidTools }; errors are { file, line, column, path, message }
+    validateText(text, file = '<registry>') {
+        let parsed;
+        try {
+            parsed = parseJsonWithLocations(text);
+        } catch (error) {
+            return { data: null, errors: [{ file, line: error.line, column: error.column, path: '', message: error.message }], invalidTools: [] };
+        }
+
+        const errors = [];
+        const report = (pointer, message) => {
+            const location = parsed.locations[pointer] || { line: 1, column: 1 };
+            errors.push({ file, line: location.line, column: location.column, path: pointer, message });
+        };
+
+        this.validateValue(parsed.value, this.schema, '', report);
+        this.checkTools(parsed.value, report, file);
+
+        // Tools with errors are left out on load, the rest of the registry still works
+        const invalidTools = [...new Set(errors
+            .map(error => error.path.match(/^\/tools\/([^/]+)/))
+            .filter(Boolean)
+            .map(match => unescapePointer(match[1])))];
+
+        errors.sort((a, b) => a.line - b.line || a.column - b.column);
+        return { data: parsed.value, errors, invalidTools };
+    }
+
+    // Problems with any value for a schema, as "pointer message" strings. Also checks JSON answers
+    // from models against the schema they were asked for.
+    validate(value, schema = this.schema) {
+        const problems = [];
+        this.validateValue(value, schema, '', (pointer, message) => problems.push(`${pointer || '/'} ${message}`));
+        return problems;
+    }
+
+    validateValue(value, schema, pointer, report) {
+        if (schema.$ref) {
+            schema = this.resolveRef(schema.$ref);
+        }
+
+        // Branches are tried quietly; the closest one explains why none fits
+        const branches = schema.oneOf || schema.anyOf;
+        if (branches) {
+            const results = branches.map(branch => {
+                const problems = [];
+                this.validateValue(value, branch, pointer, (branchPointer, message) => problems.push({ branchPointer, message }));
+                return problems;
+            });
+            const matching = results.filter(problems => problems.length === 0).length;
+            if (matching === 0) {
+                const closest = results.reduce((best, problems) => (problems.length < best.length ? problems : best));
+                closest.forEach(problem => report(problem.branchPointer, problem.message));
+            } else if (schema.oneOf && matching > 1) {
+                report(pointer, `matches ${matching} of the allowed shapes instead of exactly one`);
+            }
+            return;
+        }
+
+        if ('const' in schema && !deepEqual(schema.const, value)) {
+            report(pointer, `must be ${JSON.stringify(schema.const)} (got ${JSON.stringify(value)})`);
+            return;
+        }
+        if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+            report(pointer, `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')} (got ${JSON.stringify(value)})`);
+            return;
+        }
+        if (schema.type && !matchesType(value, schema.type)) {
+            report(pointer, `must be ${withArticle(schema.type)} (got ${describeType(value)})`);
+            return;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                report(pointer, 'must not be empty');
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                report(pointer, `must match ${schema.pattern} (got ${JSON.stringify(value)})`);
+            }
+        }
+
+        if (typeof value === 'number' && schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            report(pointer, `must be greater than ${schema.exclusiveMinimum} (got ${value})`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                report(pointer, `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                report(pointer, `must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateValue(item, schema.items, `${pointer}/${index}`, report));
+            }
+        } else if (value && typeof value === 'object') {
+            for (const key of schema.required || []) {
+                if (!(key in value)) {
+                    report(pointer, `missing required property "${key}"`);
+                }
+            }
+            const properties = schema.properties || {};
+            for (const [key, item] of Object.entries(value)) {
+                const itemPointer = `${pointer}/${escapePointer(key)}`;
+                if (properties[key]) {
+                    this.validateValue(item, properties[key], itemPointer, report);
+                } else if (schema.additionalProperties === false) {
+                    const suggestion = closestMatch(key, Object.keys(properties));
+                    report(itemPointer, `unknown property "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    this.validateValue(item, schema.additionalProperties, itemPointer, report);
+                }
+            }
+        }
+    }
+
+    // Rules JSON Schema cannot express: names match keys, one command, handler or steps list,
+    // usable output parsers, defaults match their parameter, and {{placeholders}} refer to
+    // declared parameters
+    checkTools(registry, report, file = null) {
+        if (!registry || typeof registry.tools !== 'object' || Array.isArray(registry.tools)) {
+            return;
+        }
+
+        for (const [toolName, tool] of Object.entries(registry.tools)) {
+            if (!tool || typeof tool !== 'object') continue;
+            const toolPointer = `/tools/${escapePointer(toolName)}`;
+            const parameters = tool.parameters && typeof tool.parameters === 'object' ? tool.parameters : {};
+
+            if (typeof tool.name === 'string' && tool.name !== toolName) {
+                report(`${toolPointer}/name`, `must match its key "${toolName}" (got ${JSON.stringify(tool.name)})`);
+            }
+
+            // A tool runs a command template, a plugin module or a pipeline of other tools
+            const kinds = ['command', 'handler', 'steps'].filter(kind => kind in tool);
+            if (kinds.length === 0) {
+                report(toolPointer, 'needs a "command", a "handler" or "steps"');
+            } else if (kinds.length > 1) {
+                report(`${toolPointer}/${kinds[1]}`, `a tool has only one of "command", "handler" or "steps" (found ${kinds.map(kind => `"${kind}"`).join(' and ')})`);
+            } else if (typeof tool.handler === 'string' && file && fs.existsSync(file)
+                && !fs.existsSync(path.resolve(path.dirname(file), tool.handler))) {
+                report(`${toolPointer}/handler`, `${tool.handler} does not exist (resolved against ${path.dirname(file)})`);
+            }
+
+            for (const [paramName, param] of Object.entries(parameters)) {
+                if (!param || typeof param !== 'object' || !('default' in param)) continue;
+                const defaultPointer = `${toolPointer}/parameters/${escapePointer(paramName)}/default`;
+                if (param.type && !matchesType(param.default, param.type)) {
+                    report(defaultPointer, `default must be ${withArticle(param.type)} (got ${describeType(param.default)})`);
+                } else if (Array.isArray(param.enum) && !param.enum.some(option => deepEqual(option, param.default))) {
+                    report(defaultPointer, `default ${JSON.stringify(param.default)} is not one of its enum values`);
+                }
+            }
+
+            // Argument arrays never go through a shell, so the flag only means something for string commands
+            const commandFields = ['command', 'windows_command', 'linux_command'].filter(field => field in tool);
+            if (tool.shell === true && commandFields.length > 0 && commandFields.every(field => Array.isArray(tool[field]))) {
+                report(`${toolPointer}/shell`, '"shell": true has no effect: every command of this tool is an argument array, which never runs through a shell');
+            }
+
+            for (const field of ['command', 'windows_command', 'linux_command']) {
+                const command = tool[field];
+                if (typeof command !== 'string' && !Array.isArray(command)) continue;
+                for (const placeholder of CommandTemplate.placeholders(command)) {
+                    if (!parameters[placeholder.name]) {
+                        report(`${toolPointer}/${field}`, `uses {{${placeholder.name}}} but "${placeholder.name}" is not a declared parameter`);
+                    }
+                    if (placeholder.unknownFilter) {
+                        report(`${toolPointer}/${field}`, `unknown filter "|${placeholder.filter}" (available: ${CommandTemplate.FILTERS.join(', ')})`);
+                    }
+                }
+                // Without a shell the string is split into arguments, so shell syntax would be passed literally
+                const shellSyntax = typeof command === 'string' && tool.shell !== true && CommandTemplate.findShellSyntax(command);
+                if (shellSyntax) {
+                    report(`${toolPointer}/${field}`, `uses shell syntax ("${shellSyntax}") but the tool does not set "shell": true`);
+                }
+            }
+
+            // Only command output is text; plugins and pipelines already return data
+            for (const field of ['output', 'windows_output', 'linux_output']) {
+                if (!tool[field] || typeof tool[field] !== 'object') continue;
+                if (!('command' in tool)) {
+                    report(`${toolPointer}/${field}`, `only command tools can declare "${field}"`);
+                }
+                for (const problem of OutputParser.check(tool[field])) {
+                    report(`${toolPointer}/${field}${problem.option ? `/${problem.option}` : ''}`, problem.message);
+                }
+            }
+
+            if ('timeout' in tool && 'steps' in tool) {
+                report(`${toolPointer}/timeout`, 'pipelines use the timeouts of their step tools');
+            }
+            if (tool.launch === true) {
+                if (!('command' in tool)) {
+                    report(`${toolPointer}/launch`, 'only command tools can be launched');
+                }
+                for (const field of ['timeout', 'output', 'windows_output', 'linux_output']) {
+                    if (field in tool) {
+                        report(`${toolPointer}/${field}`, `launched tools are not waited for, so "${field}" does not apply`);
+                    }
+                }
+            }
+
+            this.checkSteps(tool, toolPointer, parameters, report);
+
+            (Array.isArray(tool.examples) ? tool.examples : []).forEach((example, index) => {
+                if (!example || typeof example.parameters !== 'object' || !example.parameters) return;
+                for (const paramName of Object.keys(example.parameters)) {
+                    if (!parameters[paramName]) {
+                        report(`${toolPointer}/examples/${index}/parameters/${escapePointer(paramName)}`, `"${paramName}" is not a declared parameter`);
+                    }
+                }
+            });
+        }
+    }
+
+    // Step parameters may use the pipeline's parameters and the results of earlier steps,
+    // by index ({{steps.0.stdout}}) or by id ({{steps.status.stdout}})
+    checkSteps(tool, toolPointer, parameters, report) {
+        if (!Array.isArray(tool.steps)) return;
+        const earlier = new Set();
+
+        tool.steps.forEach((step, index) => {
+            if (!step || typeof step !== 'object') return;
+            const stepPointer = `${toolPointer}/steps/${index}`;
+            if (step.tool === tool.name) {
+                report(`${stepPointer}/tool`, 'a pipeline cannot run itself');
+            }
+
+            const values = [];
+            const collect = (value) => {
+                if (typeof value === 'string') values.push(value);
+                else if (Array.isArray(value)) value.forEach(collect);
+                else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+            };
+            collect(step.parameters);
+
+            for (const value of values) {
+                for (const match of value.matchAll(/\{\{\s*([^}\s]+)\s*\}\}/g)) {
+                    const [root, key] = match[1].split('.');
+                    if (root === 'steps') {
+                        if (!earlier.has(key)) {
+                            report(`${stepPointer}/parameters`, `{{${match[1]}}} does not refer to an earlier step`);
+                        }
+                    } else if (!parameters[root]) {
+                        report(`${stepPointer}/parameters`, `uses {{${match[1]}}} but "${root}" is not a declared parameter`);
+                    }
+                }
+            }
+
+            earlier.add(String(index));
+            if (typeof step.id === 'string') {
+                earlier.add(step.id);
+            }
+        });
+    }
+
+    resolveRef(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Only local $ref is supported (got ${ref})`);
+        }
+        return ref.slice(2).split('/').reduce((node, key) => node[unescapePointer(key)], this.schema);
+    }
+
+    static formatError(error) {
+        return `${error.file}:${error.line}:${error.column} ${error.path || '/'}: ${error.message}`;
+    }
+}
+
+function matchesType(value, type) {
+    if (Array.isArray(type)) {
+        return type.some(option => matchesType(value, option));
+    }
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+function withArticle(type) {
+    if (Array.isArray(type)) {
+        return type.map(option => withArticle(option)).join(' or ');
+    }
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(key) {
+    return key.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+// Suggests a known property for likely typos ("paramters" → "parameters")
+function closestMatch(key, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(1, Math.floor(key.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// JSON.parse that also records where every value starts, keyed by JSON pointer.
+// Syntax errors carry the line and column of the offending character.
+function parseJsonWithLocations(text) {
+    const locations = {};
+    let index = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const fail = (message) => {
+        const error = new Error(message);
+        error.line = line;
+        error.column = index - lineStart + 1;
+        throw error;
+    };
+
+    const skipWhitespace = () => {
+        while (index < text.length) {
+            const char = text[index];
+            if (char === '\n') {
+                line++;
+                lineStart = index + 1;
+            } else if (char !== ' ' && char !== '\t' && char !== '\r') {
+                break;
+            }
+            index++;
+        }
+    };
+
+    const describeNext = () => (index >= text.length ? 'end of file' : `"${text[index]}"`);
+
+    const parseString = () => {
+        const start = index;
+        index++; // Opening quote
+        while (index < text.length && text[index] !== '"') {
+            if (text[index] === '\\') index++;
+            if (text[index] === '\n') fail('Unterminated string');
+            index++;
+        }
+        if (index >= text.length) {
+            index = start;
+            fail('Unterminated string');
+        }
+        index++;
+        try {
+            return JSON.parse(text.slice(start, index));
+        } catch (error) {
+            index = start;
+            return fail('Invalid escape sequence in string');
+        }
+    };
+
+    const parseValue = (pointer) => {
+        skipWhitespace();
+        locations[pointer] = { line, column: index - lineStart + 1 };
+        const char = text[index];
+
+        if (char === '{') {
+            index++;
+            const object = {};
+            skipWhitespace();
+            if (text[index] === '}') {
+                index++;
+                return object;
+            }
+            while (true) {
+                skipWhitespace();
+                if (text[index] !== '"') fail(`Expected a property name, found ${describeNext()}`);
+                const keyLocation = { line, column: index - lineStart + 1 };
+                const key = parseString();
+                if (Object.prototype.hasOwnProperty.call(object, key)) {
+                    index -= key.length + 2;
+                    fail(`Duplicate property "${key}"`);
+                }
+                skipWhitespace();
+                if (text[index] !== ':') fail(`Expected ":" after "${key}", found ${describeNext()}`);
+                index++;
+                const childPointer = `${pointer}/${escapePointer(key)}`;
+                object[key] = parseValue(childPointer);
+                // Errors about a property point at its key, which is where people look
+                locations[childPointer] = keyLocation;
+                skipWhitespace();
+                if (text[index] === ',') {
+                    index++;
+                    skipWhitespace();
+                    if (text[index] === '}') fail('Trailing comma before "}"');
+                    continue;
+                }
+                if (text[index] === '}') {
+                    index++;
+                    return object;
+                }
+                fail(`Expected "," or "}", found ${describeNext()}`);
+            }
+        }
+
+        if (char === '[') {
+            index++;
+            const array = [];
+            skipWhitespace();
+            if (text[index] === ']') {
+                index++;
+                return array;
+            }
+            while (true) {
+                array.push(parseValue(`${pointer}/${array.length}`));
+                skipWhitespace();
+                if (text[index] === ',') {
+                    index++;
+                    skipWhitespace();
+                    if (text[index] === ']') fail('Trailing comma before "]"');
+                    continue;
+                }
+                if (text[index] === ']') {
+                    index++;
+                    return array;
+                }
+                fail(`Expected "," or "]", found ${describeNext()}`);
+            }
+        }
+
+        if (char === '"') {
+            return parseString();
+        }
+
+        const literal = text.slice(index).match(/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+        if (!literal) {
+            fail(`Unexpected ${describeNext()}`);
+        }
+        index += literal[0].length;
+        return JSON.parse(literal[0]);
+    };
+
+    const value = parseValue('');
+    skipWhitespace();
+    if (index < text.length) {
+        fail(`Unexpected ${describeNext()} after the end of the document`);
+    }
+    return { value, locations };
+}
+
+ToolRegistryValidator.parseJsonWithLocations = parseJsonWithLocations;
+
+module.exports = ToolRegistryValidator;